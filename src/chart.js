@@ -0,0 +1,270 @@
+const zlib = require("zlib");
+
+// Minimal PNG line chart renderer, so charts work without a browser,
+// native canvas bindings or an external chart service.
+
+// 5x7 bitmap font, one string of rows per glyph ("1" = pixel set)
+const FONT = {
+  "0": "01110|10001|10011|10101|11001|10001|01110",
+  "1": "00100|01100|00100|00100|00100|00100|01110",
+  "2": "01110|10001|00001|00010|00100|01000|11111",
+  "3": "11110|00001|00001|01110|00001|00001|11110",
+  "4": "00010|00110|01010|10010|11111|00010|00010",
+  "5": "11111|10000|11110|00001|00001|10001|01110",
+  "6": "00110|01000|10000|11110|10001|10001|01110",
+  "7": "11111|00001|00010|00100|01000|01000|01000",
+  "8": "01110|10001|10001|01110|10001|10001|01110",
+  "9": "01110|10001|10001|01111|00001|00010|01100",
+  "A": "01110|10001|10001|11111|10001|10001|10001",
+  "B": "11110|10001|10001|11110|10001|10001|11110",
+  "C": "01110|10001|10000|10000|10000|10001|01110",
+  "D": "11100|10010|10001|10001|10001|10010|11100",
+  "E": "11111|10000|10000|11110|10000|10000|11111",
+  "F": "11111|10000|10000|11110|10000|10000|10000",
+  "G": "01110|10001|10000|10111|10001|10001|01111",
+  "H": "10001|10001|10001|11111|10001|10001|10001",
+  "I": "01110|00100|00100|00100|00100|00100|01110",
+  "J": "00111|00010|00010|00010|00010|10010|01100",
+  "K": "10001|10010|10100|11000|10100|10010|10001",
+  "L": "10000|10000|10000|10000|10000|10000|11111",
+  "M": "10001|11011|10101|10101|10001|10001|10001",
+  "N": "10001|10001|11001|10101|10011|10001|10001",
+  "O": "01110|10001|10001|10001|10001|10001|01110",
+  "P": "11110|10001|10001|11110|10000|10000|10000",
+  "Q": "01110|10001|10001|10001|10101|10010|01101",
+  "R": "11110|10001|10001|11110|10100|10010|10001",
+  "S": "01111|10000|10000|01110|00001|00001|11110",
+  "T": "11111|00100|00100|00100|00100|00100|00100",
+  "U": "10001|10001|10001|10001|10001|10001|01110",
+  "V": "10001|10001|10001|10001|10001|01010|00100",
+  "W": "10001|10001|10001|10101|10101|10101|01010",
+  "X": "10001|10001|01010|00100|01010|10001|10001",
+  "Y": "10001|10001|10001|01010|00100|00100|00100",
+  "Z": "11111|00001|00010|00100|01000|10000|11111",
+  ":": "00000|01100|01100|00000|01100|01100|00000",
+  ".": "00000|00000|00000|00000|00000|01100|01100",
+  "%": "11000|11001|00010|00100|01000|10011|00011",
+  "-": "00000|00000|00000|11111|00000|00000|00000",
+  "_": "00000|00000|00000|00000|00000|00000|11111",
+  "/": "00000|00001|00010|00100|01000|10000|00000",
+  "(": "00010|00100|01000|01000|01000|00100|00010",
+  ")": "01000|00100|00010|00010|00010|00100|01000",
+  "?": "01110|10001|00001|00010|00100|00000|00100",
+  " ": "00000|00000|00000|00000|00000|00000|00000"
+};
+
+const COLORS = {
+  background: [255, 255, 255],
+  grid: [226, 230, 236],
+  axis: [120, 128, 140],
+  text: [40, 44, 52],
+  cpu: [52, 120, 246],
+  cpuMax: [170, 198, 250],
+  memory: [46, 160, 67],
+  memoryMax: [168, 220, 178]
+};
+
+class Canvas {
+  constructor(width, height, background) {
+    this.width = width;
+    this.height = height;
+    this.pixels = Buffer.alloc(width * height * 3);
+    this.fillRect(0, 0, width, height, background);
+  }
+
+  setPixel(x, y, color) {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+    const offset = (y * this.width + x) * 3;
+    this.pixels[offset] = color[0];
+    this.pixels[offset + 1] = color[1];
+    this.pixels[offset + 2] = color[2];
+  }
+
+  fillRect(x, y, width, height, color) {
+    for (let py = y; py < y + height; py++) {
+      for (let px = x; px < x + width; px++) {
+        this.setPixel(px, py, color);
+      }
+    }
+  }
+
+  // Bresenham line, thickened by repeating it on the rows below
+  drawLine(x0, y0, x1, y1, color, thickness = 1) {
+    x0 = Math.round(x0); y0 = Math.round(y0);
+    x1 = Math.round(x1); y1 = Math.round(y1);
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    let err = dx + dy;
+
+    for (;;) {
+      for (let t = 0; t < thickness; t++) {
+        this.setPixel(x0, y0 + t, color);
+      }
+      if (x0 === x1 && y0 === y1) break;
+      const e2 = 2 * err;
+      if (e2 >= dy) { err += dy; x0 += sx; }
+      if (e2 <= dx) { err += dx; y0 += sy; }
+    }
+  }
+
+  drawText(text, x, y, color, scale = 2) {
+    String(text).toUpperCase().split('').forEach((char, index) => {
+      const rows = (FONT[char] || FONT["?"]).split('|');
+      rows.forEach((row, ry) => {
+        row.split('').forEach((bit, rx) => {
+          if (bit === '1') {
+            this.fillRect(x + (index * 6 + rx) * scale, y + ry * scale, scale, scale, color);
+          }
+        });
+      });
+    });
+  }
+
+  textWidth(text, scale = 2) {
+    return String(text).length * 6 * scale;
+  }
+
+  toPNG() {
+    // Each scanline starts with filter type 0 (none)
+    const raw = Buffer.alloc((this.width * 3 + 1) * this.height);
+    for (let y = 0; y < this.height; y++) {
+      this.pixels.copy(raw, y * (this.width * 3 + 1) + 1, y * this.width * 3, (y + 1) * this.width * 3);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(this.width, 0);
+    header.writeUInt32BE(this.height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // color type: RGB
+
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', zlib.deflateSync(raw)),
+      pngChunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body), 0);
+  return Buffer.concat([length, body, crc]);
+}
+
+// Round an axis maximum up to 1, 2 or 5 times a power of ten
+function niceCeil(value) {
+  if (value <= 0) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const step = [1, 2, 5, 10].find((m) => m * magnitude >= value);
+  return step * magnitude;
+}
+
+function formatTime(t, rangeMs) {
+  const date = new Date(t);
+  const pad = (n) => String(n).padStart(2, '0');
+  return rangeMs > 24 * 60 * 60 * 1000
+    ? `${pad(date.getMonth() + 1)}/${pad(date.getDate())} ${pad(date.getHours())}H`
+    : `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function drawPanel(canvas, panel, { title, unit, points, color, maxColor, from, to }) {
+  const { x, y, width, height } = panel;
+  const peak = Math.max(...points.map((p) => p.max));
+  const yMax = niceCeil(peak * 1.1);
+
+  canvas.drawText(title, x, y - 26, COLORS.text);
+
+  // Horizontal grid lines with value labels
+  for (let i = 0; i <= 4; i++) {
+    const gy = y + height - (height * i) / 4;
+    canvas.drawLine(x, gy, x + width, gy, i === 0 ? COLORS.axis : COLORS.grid);
+    const label = `${Math.round((yMax * i) / 4 * 10) / 10}${unit}`;
+    canvas.drawText(label, x - canvas.textWidth(label, 1) - 6, gy - 3, COLORS.axis, 1);
+  }
+  canvas.drawLine(x, y, x, y + height, COLORS.axis);
+
+  // Time labels at both ends and the middle
+  [from, (from + to) / 2, to].forEach((t, i) => {
+    const label = formatTime(t, to - from);
+    const lx = x + (width * i) / 2 - (canvas.textWidth(label, 1) * i) / 2;
+    canvas.drawText(label, lx, y + height + 8, COLORS.axis, 1);
+  });
+
+  const toX = (t) => x + ((t - from) / (to - from)) * width;
+  const toY = (v) => y + height - (Math.min(v, yMax) / yMax) * height;
+
+  // Break the line where samples are missing (process offline, bot down)
+  const gaps = points.slice(1).map((p, i) => p.t - points[i].t).sort((a, b) => a - b);
+  const maxGap = (gaps[Math.floor(gaps.length / 2)] || 0) * 3;
+
+  [['max', maxColor, 1], ['avg', color, 2]].forEach(([field, lineColor, thickness]) => {
+    for (let i = 1; i < points.length; i++) {
+      if (points[i].t - points[i - 1].t > maxGap) continue;
+      canvas.drawLine(
+        toX(points[i - 1].t), toY(points[i - 1][field]),
+        toX(points[i].t), toY(points[i][field]),
+        lineColor, thickness
+      );
+    }
+  });
+}
+
+/**
+ * Render CPU and memory history as a two-panel PNG line chart.
+ * Points are { t, cpu: { avg, max }, mem: { avg, max } } sorted by time.
+ */
+function renderMetricsChart({ title, points, from, to, width = 800, height = 520 }) {
+  const canvas = new Canvas(width, height, COLORS.background);
+  const panelWidth = width - 100;
+  const panelHeight = (height - 170) / 2;
+
+  canvas.drawText(title, 20, 16, COLORS.text);
+
+  drawPanel(canvas, { x: 80, y: 80, width: panelWidth, height: panelHeight }, {
+    title: 'CPU %',
+    unit: '%',
+    points: points.map((p) => ({ t: p.t, avg: p.cpu.avg, max: p.cpu.max })),
+    color: COLORS.cpu,
+    maxColor: COLORS.cpuMax,
+    from,
+    to
+  });
+
+  drawPanel(canvas, { x: 80, y: 130 + panelHeight, width: panelWidth, height: panelHeight }, {
+    title: 'MEMORY MB',
+    unit: '',
+    points: points.map((p) => ({ t: p.t, avg: p.mem.avg, max: p.mem.max })),
+    color: COLORS.memory,
+    maxColor: COLORS.memoryMax,
+    from,
+    to
+  });
+
+  return canvas.toPNG();
+}
+
+module.exports = { renderMetricsChart };